@@ -10,6 +10,12 @@ import scripts from './src/config/scripts.js';
 import images from './src/config/images.js';
 import search from './src/config/search.js';
 import html from './src/config/html.js';
+import labels from './src/config/labels.js';
+import home from './src/config/home.js';
+import schedule from './src/config/schedule.js';
+import dashboard from './src/config/dashboard.js';
+import validation from './src/config/validation.js';
+import structuredData from './src/config/structured-data.js';
 
 export default (config) => {
 	const isDev = process.env.ELEVENTY_RUN_MODE === 'serve';
@@ -18,6 +24,7 @@ export default (config) => {
 	const options = {
 		newsGlob: 'src/news/????/??/*/index.md',
 		pageSize: 12,
+		feedSize: 25,
 		browserslist: packageJson.browserslist,
 	};
 
@@ -29,9 +36,16 @@ export default (config) => {
 	images(config);
 	search(config);
 	html(config);
+	labels(config);
+	home(config, options);
+	schedule(config);
+	dashboard(config, options);
+	validation(config);
+	structuredData(config);
 
 	// Global data
 	config.addGlobalData('isDev', isDev);
+	config.addGlobalData('feedSize', options.feedSize);
 
 	// YAML
 	config.addDataExtension('yml', (contents) => {
@@ -0,0 +1,245 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+const newsRoot = path.join(projectRoot, 'src', 'news');
+const cacheFile = path.join(projectRoot, '.cache', 'links.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CONCURRENCY = 8;
+// Pause between two requests to the same host
+const HOST_DELAY = 1000;
+const TIMEOUT = 15000;
+const MAX_REDIRECTS = 5;
+// Working links are rechecked after a month, broken ones on every run after a day
+const MAX_AGE = { ok: 30 * DAY, failed: DAY };
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; web-standards.dev link checker; +https://web-standards.dev/)';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const siteHost = (url) => new URL(url).hostname.replace(/^www\./, '');
+
+// The URL of a `links` entry, plain or a Markdown link, like the `linkURL` filter.
+// Entries without one are left to `scripts/validate.js`.
+const linkURL = (link) => {
+	const url = String(link ?? '').match(/https?:\/\/[^\s)]+/)?.[0];
+	return url && URL.canParse(url) ? url : null;
+};
+
+// Link URLs from news matching the glob, relative to src/news, with the files using them
+async function collectLinks(only) {
+	const links = new Map();
+
+	for await (const file of fs.glob(`${only ?? '????/??/*'}/index.yml`, { cwd: newsRoot })) {
+		const fullPath = path.join(newsRoot, file);
+		const data = yamlLoad(await fs.readFile(fullPath, 'utf8'));
+		for (const link of data?.links ?? []) {
+			const url = linkURL(link);
+			if (!url) continue;
+			if (!links.has(url)) links.set(url, []);
+			links.get(url).push(path.relative(projectRoot, fullPath));
+		}
+	}
+
+	return links;
+}
+
+async function readCache() {
+	try {
+		return JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+	} catch {
+		return {};
+	}
+}
+
+async function writeCache(cache) {
+	await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+	await fs.writeFile(cacheFile, JSON.stringify(cache, null, '\t') + '\n', 'utf8');
+}
+
+const isStale = (entry, now = Date.now()) => {
+	if (!entry) return true;
+	const maxAge = entry.result === 'ok' ? MAX_AGE.ok : MAX_AGE.failed;
+	return now - new Date(entry.checked).getTime() > maxAge;
+};
+
+// Some servers refuse HEAD requests, so those get a GET instead
+async function request(url, timeout) {
+	const options = {
+		redirect: 'manual',
+		headers: { 'user-agent': USER_AGENT },
+		signal: AbortSignal.timeout(timeout),
+	};
+
+	const response = await fetch(url, { ...options, method: 'HEAD' });
+	if (![403, 405, 501].includes(response.status)) return response;
+
+	const retry = await fetch(url, { ...options, method: 'GET' });
+	await retry.body?.cancel();
+	return retry;
+}
+
+// Follows redirects by hand to tell a moved page from a different site
+async function checkLink(url, { timeout = TIMEOUT } = {}) {
+	let current = url;
+
+	try {
+		for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+			const response = await request(current, timeout);
+			const location = response.headers.get('location');
+
+			if (response.status >= 300 && response.status < 400 && location) {
+				current = new URL(location, current).href;
+				continue;
+			}
+
+			if (response.status >= 400) {
+				return { result: 'failed', status: response.status };
+			}
+
+			if (siteHost(current) !== siteHost(url)) {
+				return { result: 'redirect', status: response.status, location: current };
+			}
+
+			return { result: 'ok', status: response.status };
+		}
+
+		return { result: 'failed', error: `more than ${MAX_REDIRECTS} redirects` };
+	} catch (error) {
+		if (error.name === 'TimeoutError') {
+			return { result: 'timeout', error: `no response in ${timeout / 1000}s` };
+		}
+		return { result: 'failed', error: error.cause?.code ?? error.message };
+	}
+}
+
+// One queue per host, checked one link at a time with a pause in between,
+// and at most CONCURRENCY hosts checked at once
+async function checkAll(urls, onCheck, hostDelay) {
+	const hosts = new Map();
+	for (const url of urls) {
+		const host = new URL(url).hostname;
+		if (!hosts.has(host)) hosts.set(host, []);
+		hosts.get(host).push(url);
+	}
+
+	const queues = [...hosts.values()];
+
+	async function worker() {
+		while (queues.length > 0) {
+			const queue = queues.shift();
+			for (const [index, url] of queue.entries()) {
+				if (index > 0) await sleep(hostDelay);
+				await onCheck(url);
+			}
+		}
+	}
+
+	await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+}
+
+// Checks the links missing from the cache or stale in it, and stores the
+// results there. Returns the links that were actually fetched.
+export async function refreshLinks(urls, cache, options = {}) {
+	const {
+		force = false,
+		now = Date.now(),
+		hostDelay = HOST_DELAY,
+		save,
+	} = options;
+	const stale = urls.filter((url) => force || isStale(cache[url], now));
+
+	let done = 0;
+	let saving = Promise.resolve();
+	await checkAll(stale, async (url) => {
+		cache[url] = { ...await checkLink(url, options), checked: new Date().toISOString() };
+		done++;
+		// Saved as it goes, one write at a time, so an interrupted run keeps its progress
+		if (save && done % 20 === 0) saving = saving.then(() => save(cache));
+	}, hostDelay);
+
+	await saving;
+	return stale;
+}
+
+function report(links, cache, fetched) {
+	const groups = {
+		failed: [],
+		timeout: [],
+		redirect: [],
+	};
+
+	for (const url of links.keys()) {
+		const entry = cache[url];
+		if (entry && groups[entry.result]) groups[entry.result].push(url);
+	}
+
+	const print = (symbol, url, detail) => {
+		console.log(`\n${symbol} ${url}`);
+		console.log(`  ${detail}`);
+		for (const file of links.get(url)) console.log(`  ${file}`);
+	};
+
+	for (const url of groups.failed) {
+		const { status, error } = cache[url];
+		print('✗', url, status ? `HTTP ${status}` : error);
+	}
+
+	for (const url of groups.timeout) {
+		print('✗', url, cache[url].error);
+	}
+
+	for (const url of groups.redirect) {
+		print('⚠', url, `redirects to ${cache[url].location}`);
+	}
+
+	const broken = groups.failed.length + groups.timeout.length;
+	const cached = links.size - fetched;
+
+	console.log(`\n${fetched} link(s) fetched, ${cached} from the cache: ${broken} broken, ${groups.timeout.length} of them timed out, ${groups.redirect.length} redirect to another site.`);
+
+	return broken;
+}
+
+async function checkLinks(only, force) {
+	const links = await collectLinks(only);
+
+	if (links.size === 0) {
+		console.error(`Error: No news found${only ? ` matching "${only}"` : ''}`);
+		process.exit(1);
+	}
+
+	const cache = await readCache();
+
+	console.log(`Checking ${links.size} link(s), recent results come from ${path.relative(projectRoot, cacheFile)}`);
+
+	const fetched = await refreshLinks([...links.keys()], cache, { force, save: writeCache });
+	await writeCache(cache);
+
+	if (report(links, cache, fetched.length) > 0) {
+		process.exit(1);
+	}
+}
+
+// Run as a CLI, or imported by the tests
+if (process.argv[1] === __filename) {
+	const args = process.argv.slice(2);
+	const onlyIndex = args.indexOf('--only');
+	const only = onlyIndex === -1 ? undefined : args[onlyIndex + 1];
+
+	if (onlyIndex !== -1 && !only) {
+		console.error('Error: Please provide a glob after --only, like 2025/10/*');
+		console.error('Usage: npm run links -- [--only YYYY/MM/*] [--force]');
+		process.exit(1);
+	}
+
+	checkLinks(only, args.includes('--force')).catch(error => {
+		console.error('Error:', error.message);
+		process.exit(1);
+	});
+}
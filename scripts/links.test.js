@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+
+import { refreshLinks } from './links.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const options = { timeout: 500, hostDelay: 0 };
+
+let server;
+let site;
+let otherSite;
+
+// The same stub answers on `localhost` and `127.0.0.1`, two different sites
+before(async () => {
+	server = http.createServer((request, response) => {
+		switch (request.url) {
+			case '/ok':
+				return response.writeHead(200).end();
+			case '/missing':
+				return response.writeHead(404).end();
+			case '/error':
+				return response.writeHead(500).end();
+			case '/moved':
+				return response.writeHead(301, { location: '/ok' }).end();
+			case '/away':
+				return response.writeHead(302, { location: `${otherSite}/ok` }).end();
+			case '/hang':
+				// Never answers
+				return;
+			default:
+				return response.writeHead(404).end();
+		}
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const { port } = server.address();
+	site = `http://localhost:${port}`;
+	otherSite = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+	server.closeAllConnections();
+	server.close();
+});
+
+const urls = () => ['/ok', '/missing', '/error', '/moved', '/away', '/hang']
+	.map((pathname) => `${site}${pathname}`);
+
+test('classifies responses and caches them', async () => {
+	const cache = {};
+	const fetched = await refreshLinks(urls(), cache, options);
+
+	assert.deepEqual(fetched, urls());
+	assert.deepEqual(
+		Object.fromEntries(Object.entries(cache).map(([url, { checked, ...entry }]) => {
+			assert.ok(!Number.isNaN(Date.parse(checked)));
+			return [url.replace(site, ''), entry];
+		})),
+		{
+			'/ok': { result: 'ok', status: 200 },
+			'/missing': { result: 'failed', status: 404 },
+			'/error': { result: 'failed', status: 500 },
+			'/moved': { result: 'ok', status: 200 },
+			'/away': { result: 'redirect', status: 200, location: `${otherSite}/ok` },
+			'/hang': { result: 'timeout', error: 'no response in 0.5s' },
+		},
+	);
+});
+
+test('skips links with fresh results in the cache', async () => {
+	const cache = {};
+	await refreshLinks(urls(), cache, options);
+	const cached = structuredClone(cache);
+
+	const fetched = await refreshLinks(urls(), cache, options);
+
+	assert.deepEqual(fetched, []);
+	assert.deepEqual(cache, cached);
+});
+
+test('rechecks broken links after a day and working ones after a month', async () => {
+	const cache = {};
+	await refreshLinks(urls(), cache, options);
+
+	const twoDays = await refreshLinks(urls(), cache, { ...options, now: Date.now() + 2 * DAY });
+	assert.deepEqual(twoDays.map((url) => url.replace(site, '')), ['/missing', '/error', '/away', '/hang']);
+
+	const twoMonths = await refreshLinks(urls(), cache, { ...options, now: Date.now() + 60 * DAY });
+	assert.deepEqual(twoMonths, urls());
+});
+
+test('rechecks everything with force', async () => {
+	const cache = {};
+	await refreshLinks(urls(), cache, options);
+
+	const fetched = await refreshLinks(urls(), cache, { ...options, force: true });
+
+	assert.deepEqual(fetched, urls());
+});
@@ -1,6 +1,9 @@
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+import { isScheduled } from '../src/config/schedule.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,8 +22,8 @@ async function findScheduledNews(slug) {
 				if (entry.name === slug) {
 					const ymlPath = path.join(fullPath, 'index.yml');
 					try {
-						const content = await fs.readFile(ymlPath, 'utf8');
-						if (content.includes('draft: true')) {
+						const data = yamlLoad(await fs.readFile(ymlPath, 'utf8'));
+						if (data?.draft || isScheduled(data?.date)) {
 							return fullPath;
 						}
 					} catch {
@@ -0,0 +1,224 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+import { isScheduled, schedule } from '../src/config/schedule.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+const newsRoot = path.join(projectRoot, 'src', 'news');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_PER_DAY = 1;
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const isWeekend = (date) => [0, 6].includes(date.getUTCDay());
+
+const weekday = (date) => date.toLocaleString('en', { weekday: 'short', timeZone: 'UTC' });
+
+// Today in the publishing time zone, as a UTC midnight date
+function today() {
+	const local = new Intl.DateTimeFormat('en-CA', { timeZone: schedule.timeZone }).format(new Date());
+	return new Date(`${local}T00:00:00Z`);
+}
+
+// Moves the date forward by the given number of weekdays
+function addWeekdays(date, days) {
+	const result = new Date(date);
+	let left = days;
+	while (left > 0) {
+		result.setTime(result.getTime() + DAY);
+		if (!isWeekend(result)) left--;
+	}
+	return result;
+}
+
+function parseDate(input) {
+	const match = String(input ?? '').match(/^(\d{4})[.-](\d{2})[.-](\d{2})$/);
+	if (!match) return null;
+	const [, year, month, day] = match;
+	return new Date(`${year}-${month}-${day}T00:00:00Z`);
+}
+
+// Drafts and news dated in the future, oldest first
+async function listQueue() {
+	const queue = [];
+
+	for (const year of await fs.readdir(newsRoot)) {
+		if (!/^\d{4}$/.test(year)) continue;
+		for (const month of await fs.readdir(path.join(newsRoot, year))) {
+			if (!/^\d{2}$/.test(month)) continue;
+			for (const slug of await fs.readdir(path.join(newsRoot, year, month))) {
+				const dir = path.join(newsRoot, year, month, slug);
+				let data;
+				try {
+					data = yamlLoad(await fs.readFile(path.join(dir, 'index.yml'), 'utf8'));
+				} catch {
+					continue;
+				}
+				if (!data?.draft && !isScheduled(data?.date)) continue;
+				queue.push({
+					dir,
+					slug,
+					date: new Date(data.date),
+					status: data.draft ? 'draft' : 'scheduled',
+				});
+			}
+		}
+	}
+
+	return queue.sort((a, b) => a.date - b.date || a.slug.localeCompare(b.slug));
+}
+
+async function printQueue() {
+	const queue = await listQueue();
+
+	if (queue.length === 0) {
+		console.log('No scheduled news.');
+		return;
+	}
+
+	const start = today();
+	const overdue = queue.filter((item) => item.date < start);
+	const upcoming = queue.filter((item) => item.date >= start);
+
+	if (overdue.length > 0) {
+		console.log('Overdue drafts:\n');
+		for (const item of overdue) {
+			console.log(`  ${weekday(item.date)} ${formatDate(item.date)}  ${item.status.padEnd(9)}  ${item.slug}`);
+		}
+		console.log('');
+	}
+
+	if (upcoming.length === 0) return;
+
+	const end = upcoming.at(-1).date;
+	let emptyDays = 0;
+	let busyDays = 0;
+
+	console.log(`Queue from ${formatDate(start)} to ${formatDate(end)}:\n`);
+
+	for (let date = new Date(start); date <= end; date = new Date(date.getTime() + DAY)) {
+		const items = upcoming.filter((item) => item.date.getTime() === date.getTime());
+		const label = `  ${weekday(date)} ${formatDate(date)}`;
+
+		if (items.length === 0) {
+			if (!isWeekend(date)) {
+				emptyDays++;
+				console.log(`${label}  ⚠ empty`);
+			}
+			continue;
+		}
+
+		const warning = isWeekend(date)
+			? '  ⚠ weekend'
+			: items.length > MAX_PER_DAY ? `  ⚠ ${items.length} news` : '';
+		if (warning && !isWeekend(date)) busyDays++;
+
+		items.forEach((item, index) => {
+			const prefix = index === 0 ? label : ' '.repeat(label.length);
+			console.log(`${prefix}  ${item.status.padEnd(9)}  ${item.slug}${index === 0 ? warning : ''}`);
+		});
+	}
+
+	console.log(`\n${upcoming.length} news queued, ${emptyDays} empty weekday(s), ${busyDays} busy day(s).`);
+}
+
+// Writes the new date and moves the folder to its YYYY/MM when needed
+async function moveItem(item, date) {
+	const year = String(date.getUTCFullYear());
+	const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+	const targetDir = path.join(newsRoot, year, month, item.slug);
+
+	if (targetDir !== item.dir) {
+		try {
+			await fs.access(targetDir);
+			throw new Error(`Directory already exists at ${path.relative(projectRoot, targetDir)}`);
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+		}
+		await fs.mkdir(path.dirname(targetDir), { recursive: true });
+		await fs.rename(item.dir, targetDir);
+	}
+
+	const ymlPath = path.join(targetDir, 'index.yml');
+	let content = await fs.readFile(ymlPath, 'utf8');
+	content = content.replace(/date:\s*\d{4}-\d{2}-\d{2}/, `date: ${formatDate(date)}`);
+	await fs.writeFile(ymlPath, content, 'utf8');
+
+	return targetDir;
+}
+
+async function shiftQueue(from, days, dryRun) {
+	const items = (await listQueue())
+		.filter((item) => item.date >= from)
+		// Latest first, so an earlier item never lands in a folder being moved
+		.reverse();
+
+	if (items.length === 0) {
+		console.log(`No scheduled news from ${formatDate(from)}.`);
+		return;
+	}
+
+	for (const item of items) {
+		const date = addWeekdays(item.date, days);
+		const oldPath = path.relative(projectRoot, item.dir);
+
+		if (dryRun) {
+			console.log(`  ${formatDate(item.date)} → ${formatDate(date)}  ${oldPath}`);
+			continue;
+		}
+
+		const newPath = path.relative(projectRoot, await moveItem(item, date));
+		console.log(`✓ ${formatDate(item.date)} → ${formatDate(date)}  ${newPath}`);
+	}
+
+	if (dryRun) {
+		console.log(`\nDry run: ${items.length} news would move by ${days} weekday(s).`);
+	} else {
+		console.log(`\nShifted ${items.length} news by ${days} weekday(s).`);
+	}
+}
+
+function usage() {
+	console.error('Usage: npm run queue');
+	console.error('       npm run queue -- shift --from YYYY-MM-DD --days N [--dry-run]');
+	process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const option = (name) => {
+	const index = args.indexOf(name);
+	return index === -1 ? undefined : args[index + 1];
+};
+
+let task;
+
+if (args.length === 0) {
+	task = printQueue();
+} else if (args[0] === 'shift') {
+	const from = parseDate(option('--from'));
+	const days = Number(option('--days'));
+
+	if (!from) {
+		console.error('Error: Please provide --from in format YYYY-MM-DD');
+		usage();
+	}
+
+	if (!Number.isInteger(days) || days < 1) {
+		console.error('Error: Please provide --days as a positive whole number');
+		usage();
+	}
+
+	task = shiftQueue(from, days, args.includes('--dry-run'));
+} else {
+	usage();
+}
+
+task.catch(error => {
+	console.error('Error:', error.message);
+	process.exit(1);
+});
@@ -0,0 +1,245 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+import { labelAliases, normalizeLabels } from '../src/config/labels.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+const labelsFile = path.join(projectRoot, 'src', 'data', 'labels.yml');
+
+async function listAllNewsYml() {
+	const newsRoot = path.join(projectRoot, 'src', 'news');
+	const result = [];
+	async function walk(dir) {
+		const entries = await fs.readdir(dir, { withFileTypes: true });
+		for (const entry of entries) {
+			const full = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				if (entry.name === 'template') continue;
+				await walk(full);
+			} else if (entry.name === 'index.yml') {
+				result.push(full);
+			}
+		}
+	}
+	await walk(newsRoot);
+	return result;
+}
+
+// Replaces `from` with `to` in the `tags:` list, dropping duplicates.
+// Other lines are left exactly as they are.
+function rewriteTags(text, from, to) {
+	const lines = text.split('\n');
+	const start = lines.findIndex((line) => /^tags:\s*$/.test(line));
+	if (start === -1) return text;
+
+	let end = start + 1;
+	while (end < lines.length && /^- /.test(lines[end])) end++;
+
+	const tags = lines.slice(start + 1, end).map((line) => line.slice(2).trim());
+	if (!tags.includes(from)) return text;
+
+	const newTags = [...new Set(tags.map((tag) => tag === from ? to : tag))];
+	lines.splice(start + 1, end - start - 1, ...newTags.map((tag) => `- ${tag}`));
+	return lines.join('\n');
+}
+
+// Splits labels.yml into top-level entries, each with its own lines
+function parseLabelBlocks(text) {
+	const blocks = [];
+	for (const line of text.replace(/\n$/, '').split('\n')) {
+		const match = line.match(/^([^\s#][^:]*):/);
+		if (match) {
+			blocks.push({ key: match[1], lines: [line] });
+		} else if (blocks.length > 0) {
+			blocks.at(-1).lines.push(line);
+		} else {
+			blocks.push({ key: null, lines: [line] });
+		}
+	}
+	return blocks;
+}
+
+function stringifyLabelBlocks(blocks) {
+	return blocks.flatMap((block) => block.lines).join('\n') + '\n';
+}
+
+// Renames the entry’s key and adds the given aliases to it,
+// turning a `key: Label` entry into the object form when needed.
+// An alias equal to the new key is dropped, it would redirect to itself.
+function updateLabelBlock(block, key, aliases) {
+	const newAliases = aliases.filter((alias) => alias !== key);
+	let lines = block.lines;
+
+	if (/^[^:]+:\s*\S/.test(lines[0])) {
+		const label = lines[0].replace(/^[^:]+:\s*/, '');
+		lines = [`${key}:`, `  label: ${label}`];
+	} else {
+		lines = [`${key}:`, ...lines.slice(1)];
+	}
+
+	const aliasesIndex = lines.findIndex((line) => /^ {2}aliases:\s*$/.test(line));
+	if (aliasesIndex === -1) {
+		if (newAliases.length > 0) {
+			lines.push('  aliases:', ...newAliases.map((alias) => `  - ${alias}`));
+		}
+	} else {
+		let end = aliasesIndex + 1;
+		while (end < lines.length && /^ {2}- /.test(lines[end])) end++;
+		const existing = lines.slice(aliasesIndex + 1, end).map((line) => line.replace(/^ {2}- /, '').trim());
+		const merged = [...new Set([...existing, ...newAliases])].filter((alias) => alias !== key);
+		lines.splice(aliasesIndex, end - aliasesIndex, ...(merged.length > 0
+			? ['  aliases:', ...merged.map((alias) => `  - ${alias}`)]
+			: []));
+	}
+
+	return { key, lines };
+}
+
+function rewriteLabels(text, command, from, to) {
+	const labels = normalizeLabels(yamlLoad(text));
+	const blocks = parseLabelBlocks(text);
+	const fromIndex = blocks.findIndex((block) => block.key === from);
+	const toIndex = blocks.findIndex((block) => block.key === to);
+	const newAliases = [from, ...labels[from].aliases];
+
+	if (command === 'rename') {
+		blocks[fromIndex] = updateLabelBlock(blocks[fromIndex], to, newAliases);
+	} else {
+		blocks[toIndex] = updateLabelBlock(blocks[toIndex], to, newAliases);
+		blocks.splice(fromIndex, 1);
+	}
+
+	for (const block of blocks) {
+		block.lines = block.lines.map((line) => {
+			return line.replace(new RegExp(`^( {2}parent:\\s*)${from}\\s*$`), `$1${to}`);
+		});
+	}
+
+	return stringifyLabelBlocks(blocks);
+}
+
+// Prints a line diff based on the longest common subsequence
+function printDiff(file, before, after) {
+	const a = before.split('\n');
+	const b = after.split('\n');
+	const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j]
+				? lcs[i + 1][j + 1] + 1
+				: Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	console.log(`--- ${file}`);
+	console.log(`+++ ${file}`);
+
+	let i = 0;
+	let j = 0;
+	let inHunk = false;
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) {
+			if (inHunk) console.log(` ${a[i]}`);
+			inHunk = false;
+			i++;
+			j++;
+			continue;
+		}
+		if (!inHunk) {
+			console.log(`@@ -${i + 1} +${j + 1} @@`);
+			if (i > 0) console.log(` ${a[i - 1]}`);
+			inHunk = true;
+		}
+		if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+			console.log(`+${b[j]}`);
+			j++;
+		} else {
+			console.log(`-${a[i]}`);
+			i++;
+		}
+	}
+}
+
+async function updateTag(command, from, to, dryRun) {
+	const labelsText = await fs.readFile(labelsFile, 'utf8');
+	const labels = normalizeLabels(yamlLoad(labelsText));
+
+	if (!labels[from]) {
+		console.error(`Error: Tag "${from}" not found in labels.yml`);
+		process.exit(1);
+	}
+
+	const aliasOf = labelAliases(labels).get(to);
+	if (aliasOf && aliasOf !== from) {
+		console.error(`Error: Tag "${to}" is an alias of "${aliasOf}", use "${aliasOf}" instead`);
+		process.exit(1);
+	}
+
+	if (command === 'rename' && labels[to]) {
+		console.error(`Error: Tag "${to}" already exists, use merge instead`);
+		process.exit(1);
+	}
+
+	if (command === 'merge' && !labels[to]) {
+		console.error(`Error: Tag "${to}" not found in labels.yml, use rename instead`);
+		process.exit(1);
+	}
+
+	if (!/^[a-z0-9-]+$/.test(to)) {
+		console.error(`Error: Invalid tag "${to}". Use lowercase letters, digits, and hyphens`);
+		process.exit(1);
+	}
+
+	const changes = [];
+
+	for (const file of await listAllNewsYml()) {
+		const before = await fs.readFile(file, 'utf8');
+		const after = rewriteTags(before, from, to);
+		if (after !== before) changes.push({ file, before, after });
+	}
+
+	changes.push({
+		file: labelsFile,
+		before: labelsText,
+		after: rewriteLabels(labelsText, command, from, to),
+	});
+
+	for (const { file, before, after } of changes) {
+		const relativePath = path.relative(projectRoot, file);
+		if (dryRun) {
+			printDiff(relativePath, before, after);
+		} else {
+			await fs.writeFile(file, after, 'utf8');
+		}
+	}
+
+	const newsCount = changes.length - 1;
+	const action = command === 'rename' ? 'Renamed' : 'Merged';
+
+	if (dryRun) {
+		console.log(`\nDry run: ${newsCount} news file(s) and labels.yml would change.`);
+	} else {
+		console.log(`✓ ${action} "${from}" into "${to}" in ${newsCount} news file(s) and labels.yml`);
+		console.log(`  "${from}" is now an alias of "${to}" and redirects to /tags/${to}/`);
+	}
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [command, fromArg, toArg] = args.filter((arg) => arg !== '--dry-run');
+
+if (!['rename', 'merge'].includes(command) || !fromArg || !toArg || fromArg === toArg) {
+	console.error('Error: Please provide a command and two different tags');
+	console.error('Usage: npm run tag -- rename <old> <new> [--dry-run]');
+	console.error('       npm run tag -- merge <from> <into> [--dry-run]');
+	process.exit(1);
+}
+
+updateTag(command, fromArg, toArg, dryRun).catch(error => {
+	console.error('Error:', error.message);
+	process.exit(1);
+});
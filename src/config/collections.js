@@ -1,4 +1,210 @@
-export default (config, { newsGlob, pageSize }) => {
+import { labelName, readLabels } from './labels.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const RECENCY_WEIGHT = 1;
+const RECENCY_HALF_LIFE = 180;
+
+// Inverse document frequency of each tag, cached per collection
+const tagWeightsCache = new WeakMap();
+
+const tagWeights = (collection) => {
+	if (!tagWeightsCache.has(collection)) {
+		const counts = new Map();
+		for (const item of collection) {
+			for (const tag of item.data.tags ?? []) {
+				counts.set(tag, (counts.get(tag) ?? 0) + 1);
+			}
+		}
+		tagWeightsCache.set(collection, new Map(
+			[...counts].map(([tag, count]) => [tag, Math.log(1 + collection.length / count)])
+		));
+	}
+	return tagWeightsCache.get(collection);
+};
+
+const paginate = (items, pageSize, url) => {
+	const totalPages = Math.ceil(items.length / pageSize);
+	const hrefs = Array.from({ length: totalPages }, (_, i) =>
+		i === 0 ? url : `${url}page/${i + 1}/`
+	);
+
+	return Array.from({ length: totalPages }, (_, pageIndex) => ({
+		permalink: `${hrefs[pageIndex]}index.html`,
+		titleSuffix: pageIndex === 0
+			? ''
+			: ` — Page ${pageIndex + 1}`,
+		pagination: {
+			items: items.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize),
+			pageNumber: pageIndex,
+			hrefs,
+			pages: Array(totalPages).fill(null),
+		},
+	}));
+};
+
+// Groups news by the year and month in their URL, newest period first.
+// Previous and next point to the nearest older and newer period with news.
+const newsPeriods = (items, type) => {
+	const periodMap = new Map();
+
+	for (const item of items) {
+		const match = String(item.url).match(/^\/news\/(\d{4})\/(\d{2})\//);
+		if (!match) continue;
+		const [, year, month] = match;
+		const key = type === 'year' ? year : `${year}/${month}`;
+		if (!periodMap.has(key)) {
+			periodMap.set(key, {
+				key,
+				url: `/news/${key}/`,
+				title: type === 'year'
+					? year
+					: new Date(Date.UTC(year, month - 1)).toLocaleString('en', {
+						month: 'long',
+						year: 'numeric',
+						timeZone: 'UTC',
+					}),
+				items: [],
+			});
+		}
+		periodMap.get(key).items.push(item);
+	}
+
+	const periods = [...periodMap.values()]
+		.sort((a, b) => b.key.localeCompare(a.key));
+
+	const link = (period) => period
+		? { url: period.url, title: period.title }
+		: null;
+
+	return periods.map((period, index) => {
+		period.items.sort((a, b) => b.date - a.date);
+		return {
+			...period,
+			date: period.items[0].date,
+			previous: link(periods[index + 1]),
+			next: link(periods[index - 1]),
+		};
+	});
+};
+
+// Sitemap entries, each marked with the sitemap file it belongs to
+const sitemapEntries = (collectionApi, { newsGlob, pageSize }) => {
+	const newsItems = collectionApi.getFilteredByGlob(newsGlob);
+
+	const mostRecentNewsDate = newsItems.length > 0
+		? newsItems.reduce((latest, item) => item.date > latest ? item.date : latest, newsItems[0].date)
+		: new Date();
+
+	const homePage = [{
+		sitemap: 'archive',
+		url: '/',
+		date: mostRecentNewsDate,
+		priority: 1.0,
+		changefreq: 'daily',
+	}];
+
+	const newsArchive = [{
+		sitemap: 'archive',
+		url: '/news/',
+		date: mostRecentNewsDate,
+		priority: 0.9,
+		changefreq: 'daily',
+	}];
+
+	const newsPages = newsItems
+		.map((item) => ({
+			sitemap: 'news',
+			url: item.url,
+			date: item.data.updated ? new Date(item.data.updated) : item.date,
+			priority: 0.8,
+			changefreq: 'weekly',
+			images: [{
+				url: `${item.url}cover.jpeg`,
+				caption: item.data.alt,
+			}],
+		}))
+		.sort((a, b) => b.date - a.date);
+
+	const tagDirectory = [{
+		sitemap: 'tags',
+		url: '/tags/',
+		date: mostRecentNewsDate,
+		priority: 0.6,
+		changefreq: 'weekly',
+	}];
+
+	const tagPages = [];
+	const tagPagination = collectionApi.getFilteredByGlob(newsGlob)
+		.reduce((map, item) => {
+			if (item.data.tags) {
+				item.data.tags.forEach((tag) => {
+					if (!map.has(tag)) map.set(tag, { count: 0, date: item.date });
+					const entry = map.get(tag);
+					entry.count++;
+					if (item.date > entry.date) entry.date = item.date;
+				});
+			}
+			return map;
+		}, new Map());
+
+	for (const [tag, { count, date }] of tagPagination) {
+		const totalPages = Math.ceil(count / pageSize);
+		for (let i = 0; i < totalPages; i++) {
+			tagPages.push({
+				sitemap: 'tags',
+				url: i === 0 ? `/tags/${tag}/` : `/tags/${tag}/page/${i + 1}/`,
+				date,
+				priority: i === 0 ? 0.5 : 0.3,
+				changefreq: 'weekly',
+			});
+		}
+	}
+
+	const publishedItems = newsItems
+		.filter((item) => !item.data.eleventyExcludeFromCollections);
+
+	const periodPages = ['year', 'month'].flatMap((type) => {
+		return newsPeriods(publishedItems, type).flatMap(({ url, date, items }) => {
+			return paginate(items, pageSize, url).map((page, i) => ({
+				sitemap: 'archive',
+				url: page.pagination.hrefs[i],
+				date,
+				priority: i === 0 ? 0.5 : 0.3,
+				changefreq: 'monthly',
+			}));
+		});
+	});
+
+	const seriesMap = new Map();
+	for (const item of publishedItems) {
+		if (typeof item.data.series !== 'string') continue;
+		if (!seriesMap.has(item.data.series)) seriesMap.set(item.data.series, []);
+		seriesMap.get(item.data.series).push(item);
+	}
+
+	const seriesPages = [...seriesMap].flatMap(([series, items]) => {
+		const date = items.reduce((latest, item) => item.date > latest ? item.date : latest, items[0].date);
+		return paginate(items, pageSize, `/series/${series}/`).map((page, i) => ({
+			sitemap: 'archive',
+			url: page.pagination.hrefs[i],
+			date,
+			priority: i === 0 ? 0.5 : 0.3,
+			changefreq: 'monthly',
+		}));
+	});
+
+	return [
+		...homePage,
+		...newsArchive,
+		...periodPages,
+		...newsPages,
+		...tagDirectory,
+		...tagPages,
+		...seriesPages,
+	];
+};
+
+export default (config, { newsGlob, pageSize, feedSize }) => {
 	config.addCollection('news', (collectionApi) => {
 		return collectionApi.getFilteredByGlob(newsGlob)
 			.map((item) => {
@@ -7,29 +213,22 @@ export default (config, { newsGlob, pageSize }) => {
 			});
 	});
 
+	// Eleventy builds tag collections from the tags before they’re computed,
+	// so aliases and implied parent tags need collections of their own.
+	for (const tag of Object.keys(readLabels())) {
+		config.addCollection(tag, (collectionApi) => {
+			return collectionApi.getFilteredByTag(tag);
+		});
+	}
+
 	config.addCollection('newsPagination', (collectionApi) => {
 		const items = collectionApi.getFilteredByGlob(newsGlob)
 			.filter((item) => !item.data.eleventyExcludeFromCollections)
 			.sort((a, b) => b.date - a.date);
 
-		const totalPages = Math.ceil(items.length / pageSize);
-		const hrefs = Array.from({ length: totalPages }, (_, i) =>
-			i === 0 ? '/news/' : `/news/page/${i + 1}/`
-		);
-
-		return Array.from({ length: totalPages }, (_, pageIndex) => ({
-			permalink: pageIndex === 0
-				? '/news/index.html'
-				: `/news/page/${pageIndex + 1}/index.html`,
-			title: pageIndex === 0
-				? 'All news'
-				: `All news — Page ${pageIndex + 1}`,
-			pagination: {
-				items: items.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize),
-				pageNumber: pageIndex,
-				hrefs,
-				pages: Array(totalPages).fill(null),
-			},
+		return paginate(items, pageSize, '/news/').map((page) => ({
+			...page,
+			title: `All news${page.titleSuffix}`,
 		}));
 	});
 
@@ -46,99 +245,210 @@ export default (config, { newsGlob, pageSize }) => {
 
 		return [...tagMap].flatMap(([tag, items]) => {
 			items.sort((a, b) => b.date - a.date);
-			const totalPages = Math.ceil(items.length / pageSize);
-			const hrefs = Array.from({ length: totalPages }, (_, i) =>
-				i === 0 ? `/tags/${tag}/` : `/tags/${tag}/page/${i + 1}/`
-			);
-
-			return Array.from({ length: totalPages }, (_, pageIndex) => ({
+			return paginate(items, pageSize, `/tags/${tag}/`).map((page) => ({
 				tag,
-				permalink: pageIndex === 0
-					? `/tags/${tag}/index.html`
-					: `/tags/${tag}/page/${pageIndex + 1}/index.html`,
-				titleSuffix: pageIndex === 0
-					? ''
-					: ` — Page ${pageIndex + 1}`,
-				pagination: {
-					items: items.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize),
-					pageNumber: pageIndex,
-					hrefs,
-					pages: Array(totalPages).fill(null),
-				},
+				...page,
 			}));
 		});
 	});
 
-	config.addCollection('sitemap', (collectionApi) => {
-		const newsItems = collectionApi.getFilteredByGlob(newsGlob);
-
-		const mostRecentNewsDate = newsItems.length > 0
-			? newsItems.reduce((latest, item) => item.date > latest ? item.date : latest, newsItems[0].date)
-			: new Date();
-
-		const homePage = [{
-			url: '/',
-			date: mostRecentNewsDate,
-			priority: 1.0,
-			changefreq: 'daily',
-		}];
-
-		const newsArchive = [{
-			url: '/news/',
-			date: mostRecentNewsDate,
-			priority: 0.9,
-			changefreq: 'daily',
-		}];
-
-		const newsPages = newsItems
-			.map((item) => ({
-				url: item.url,
-				date: item.date,
-				priority: 0.8,
-				changefreq: 'weekly',
-			}))
-			.sort((a, b) => b.date - a.date);
+	config.addCollection('seriesPagination', (collectionApi) => {
+		const seriesMap = new Map();
+
+		for (const item of collectionApi.getFilteredByGlob(newsGlob)) {
+			if (item.data.eleventyExcludeFromCollections) continue;
+			if (typeof item.data.series !== 'string') continue;
+			if (!seriesMap.has(item.data.series)) seriesMap.set(item.data.series, []);
+			seriesMap.get(item.data.series).push(item);
+		}
 
-		const tagPages = [];
-		const tagPagination = collectionApi.getFilteredByGlob(newsGlob)
-			.reduce((map, item) => {
-				if (item.data.tags) {
-					item.data.tags.forEach((tag) => {
-						if (!map.has(tag)) map.set(tag, { count: 0, date: item.date });
-						const entry = map.get(tag);
-						entry.count++;
-						if (item.date > entry.date) entry.date = item.date;
+		return [...seriesMap].flatMap(([series, items]) => {
+			items.sort((a, b) => b.date - a.date);
+			return paginate(items, pageSize, `/series/${series}/`).map((page) => ({
+				series,
+				...page,
+			}));
+		});
+	});
+
+	config.addCollection('tagFeeds', (collectionApi) => {
+		const tagMap = new Map();
+
+		for (const item of collectionApi.getFilteredByGlob(newsGlob)) {
+			if (item.data.eleventyExcludeFromCollections) continue;
+			for (const tag of item.data.tags ?? []) {
+				if (!tagMap.has(tag)) tagMap.set(tag, []);
+				tagMap.get(tag).push(item);
+			}
+		}
+
+		return [...tagMap].map(([tag, items]) => ({
+			tag,
+			url: `/tags/${tag}/feed/`,
+			permalink: `/tags/${tag}/feed/index.xml`,
+			items: items.sort((a, b) => a.date - b.date),
+		}));
+	});
+
+	// RFC 5005 archives: complete chunks counted from the oldest news,
+	// so an archive document never changes once it’s published.
+	config.addCollection('feedArchives', (collectionApi) => {
+		const items = collectionApi.getFilteredByGlob(newsGlob)
+			.filter((item) => !item.data.eleventyExcludeFromCollections)
+			.sort((a, b) => a.date - b.date);
+
+		const totalArchives = Math.floor(items.length / feedSize);
+		const url = (number) => `/feed/archive/${number}/`;
+
+		return Array.from({ length: totalArchives }, (_, index) => ({
+			url: url(index + 1),
+			permalink: `${url(index + 1)}index.xml`,
+			items: items.slice(index * feedSize, (index + 1) * feedSize),
+			previous: index > 0 ? url(index) : null,
+			next: index < totalArchives - 1 ? url(index + 2) : null,
+		}));
+	});
+
+	for (const type of ['year', 'month']) {
+		config.addCollection(`${type}Pagination`, (collectionApi) => {
+			const items = collectionApi.getFilteredByGlob(newsGlob)
+				.filter((item) => !item.data.eleventyExcludeFromCollections);
+
+			return newsPeriods(items, type).flatMap((period) => {
+				return paginate(period.items, pageSize, period.url).map((page) => ({
+					...page,
+					title: `${period.title} news${page.titleSuffix}`,
+					previous: period.previous,
+					next: period.next,
+				}));
+			});
+		});
+	}
+
+	// Old tag names from `aliases` in labels.yml, down to every archive page
+	config.addCollection('tagRedirects', (collectionApi) => {
+		const counts = new Map();
+
+		for (const item of collectionApi.getFilteredByGlob(newsGlob)) {
+			if (item.data.eleventyExcludeFromCollections) continue;
+			for (const tag of item.data.tags ?? []) {
+				counts.set(tag, (counts.get(tag) ?? 0) + 1);
+			}
+		}
+
+		return Object.entries(readLabels()).flatMap(([tag, { aliases }]) => {
+			const totalPages = Math.ceil((counts.get(tag) ?? 0) / pageSize);
+			return aliases.flatMap((alias) => [
+				{ from: `/tags/${alias}/`, to: `/tags/${tag}/` },
+				{ from: `/tags/${alias}/feed/`, to: `/tags/${tag}/feed/` },
+				...Array.from({ length: Math.max(totalPages - 1, 0) }, (_, i) => ({
+					from: `/tags/${alias}/page/${i + 2}/`,
+					to: `/tags/${tag}/page/${i + 2}/`,
+				})),
+			]);
+		});
+	});
+
+	config.addCollection('tagList', (collectionApi) => {
+		const tagMap = new Map();
+
+		for (const item of collectionApi.getFilteredByGlob(newsGlob)) {
+			if (item.data.eleventyExcludeFromCollections) continue;
+			for (const tag of item.data.tags ?? []) {
+				if (!item.data.labels?.[tag]) continue;
+				if (!tagMap.has(tag)) {
+					tagMap.set(tag, {
+						tag,
+						label: labelName(item.data.labels[tag]),
+						parent: item.data.labels[tag].parent ?? null,
+						url: `/tags/${tag}/`,
+						count: 0,
+						date: item.date,
 					});
 				}
-				return map;
-			}, new Map());
-
-		for (const [tag, { count, date }] of tagPagination) {
-			const totalPages = Math.ceil(count / pageSize);
-			for (let i = 0; i < totalPages; i++) {
-				tagPages.push({
-					url: i === 0 ? `/tags/${tag}/` : `/tags/${tag}/page/${i + 1}/`,
-					date,
-					priority: i === 0 ? 0.5 : 0.3,
-					changefreq: 'weekly',
+				const entry = tagMap.get(tag);
+				entry.count++;
+				if (item.date > entry.date) entry.date = item.date;
+			}
+		}
+
+		return [...tagMap.values()]
+			.sort((a, b) => a.label.localeCompare(b.label, 'en'));
+	});
+
+	// One sitemap file per kind of page, listed in the sitemap index
+	config.addCollection('sitemapFiles', (collectionApi) => {
+		const fileMap = new Map();
+
+		for (const entry of sitemapEntries(collectionApi, { newsGlob, pageSize })) {
+			if (!fileMap.has(entry.sitemap)) {
+				fileMap.set(entry.sitemap, {
+					url: `/sitemap-${entry.sitemap}.xml`,
+					date: entry.date,
+					items: [],
 				});
 			}
+			const file = fileMap.get(entry.sitemap);
+			file.items.push(entry);
+			if (entry.date > file.date) file.date = entry.date;
 		}
 
-		return [
-			...homePage,
-			...newsArchive,
-			...newsPages,
-			...tagPages,
-		];
+		return [...fileMap.values()];
 	});
 
-	config.addFilter('relatedByTags', (collection, currentUrl, currentTags) => {
+	// Published news of a series, oldest first
+	config.addFilter('seriesNews', (collection, series) => {
 		return collection.filter((item) => {
-			if (item.url === currentUrl) {
-				return false;
-			}
-			return currentTags.some((tag) => item.data.tags?.includes(tag));
+			return !item.data.draft && !item.data.scheduled && item.data.series === series;
+		});
+	});
+
+	// Older and newer published news around the current one, optionally
+	// limited to a single tag.
+	config.addFilter('newsNeighbours', (collection, currentUrl, tag) => {
+		const items = collection.filter((item) => {
+			return !item.data.draft && !item.data.scheduled
+				&& (!tag || item.data.tags?.includes(tag));
 		});
+		const index = items.findIndex((item) => item.url === currentUrl);
+
+		if (index === -1) {
+			return {};
+		}
+
+		return {
+			previous: items[index - 1],
+			next: items[index + 1],
+		};
+	});
+
+	// Ranks news by shared tags, weighting each tag by its rarity across the
+	// archive, plus a bonus for being published close to the current news.
+	// Slugs listed in `related` go first, in the order they’re listed.
+	config.addFilter('relatedNews', (collection, currentUrl, currentDate, currentTags = [], relatedSlugs = []) => {
+		const weights = tagWeights(collection);
+		const explicit = relatedSlugs
+			.map((slug) => collection.find((item) => item.fileSlug === slug))
+			.filter((item) => item && item.url !== currentUrl);
+
+		const scored = collection
+			.filter((item) => item.url !== currentUrl && !explicit.includes(item))
+			.map((item) => {
+				const sharedTags = currentTags.filter((tag) => item.data.tags?.includes(tag));
+				if (sharedTags.length === 0) return null;
+
+				const days = Math.abs(item.date - currentDate) / DAY;
+				const score = sharedTags.reduce((sum, tag) => sum + weights.get(tag), 0)
+					+ RECENCY_WEIGHT * 0.5 ** (days / RECENCY_HALF_LIFE);
+
+				return { item, score };
+			})
+			.filter(Boolean)
+			.sort((a, b) => b.score - a.score
+				|| b.item.date - a.item.date
+				|| a.item.url.localeCompare(b.item.url))
+			.map(({ item }) => item);
+
+		return [...explicit, ...scored];
 	});
 };
@@ -0,0 +1,63 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { labelName, readLabels } from './labels.js';
+import { buildValidation } from './validation.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 30;
+
+// Editorial overview at /dev/, only built while running `npm start`
+export default (config, { newsGlob }) => {
+	const isDev = process.env.ELEVENTY_RUN_MODE === 'serve';
+
+	if (!isDev) {
+		config.ignores.add('src/pages/dev/**');
+		return;
+	}
+
+	config.addCollection('dashboard', (collectionApi) => {
+		const items = collectionApi.getFilteredByGlob(newsGlob)
+			.sort((a, b) => a.date - b.date);
+
+		const queue = items
+			.filter((item) => item.data.draft || item.data.scheduled)
+			.map((item) => ({
+				item,
+				status: item.data.draft ? 'Draft' : 'Scheduled',
+			}));
+
+		const validation = buildValidation()
+			.filter(({ errors, warnings }) => errors.length > 0 || warnings.length > 0);
+
+		const missingCovers = items.filter((item) => {
+			return !existsSync(path.join(path.dirname(item.inputPath), 'cover.avif'));
+		});
+
+		const since = new Date(Date.now() - RECENT_DAYS * DAY);
+		const tagCounts = new Map();
+		for (const item of items) {
+			if (item.data.draft || item.data.scheduled || item.date < since) continue;
+			for (const tag of item.data.tags ?? []) {
+				tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1);
+			}
+		}
+
+		const labels = readLabels();
+		const tags = [...tagCounts]
+			.map(([tag, count]) => ({
+				tag,
+				label: labelName(labels[tag]) ?? tag,
+				count,
+			}))
+			.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'en'));
+
+		return {
+			queue,
+			validation,
+			missingCovers,
+			tags,
+			recentDays: RECENT_DAYS,
+		};
+	});
+};
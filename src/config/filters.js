@@ -31,6 +31,10 @@ export default (config) => {
 		return markdownInline.renderInline(String(content ?? ''));
 	});
 
+	config.addFilter('markdown', (content) => {
+		return markdownInline.render(String(content ?? ''));
+	});
+
 	// Dates
 
 	config.addFilter('dateLong', (value) => {
@@ -79,6 +83,15 @@ export default (config) => {
 		return array.slice(0, limit);
 	});
 
+	config.addFilter('linkURL', (link) => {
+		return String(link ?? '').match(/https?:\/\/[^\s)]+/)?.[0] ?? '';
+	});
+
+	// Keeps only the text of Markdown links, for descriptions in meta tags
+	config.addFilter('linkText', (text) => {
+		return String(text ?? '').replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
+	});
+
 	config.addFilter('plainText', (text) => {
 		if (!text) return '';
 		return text
@@ -0,0 +1,80 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+import { labelAliases, labelName, readLabels } from './labels.js';
+
+const homeFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data/home.yml');
+
+const defaults = {
+	size: 7,
+	featured: true,
+};
+
+// Card slots the news-list layout fills without a ragged last row
+// at every column count, see news-list.css
+const supportedSlots = [8, 12];
+
+// Fills in the defaults and checks every tag against labels.yml,
+// so a typo in home.yml fails the build instead of hiding a section.
+const normalizeSection = (section, index, labels) => {
+	const aliases = labelAliases(labels);
+	const tags = section.latest
+		? []
+		: [section.tags ?? section.tag ?? []].flat().map((tag) => aliases.get(tag) ?? tag);
+
+	if (!section.latest && tags.length === 0) {
+		throw new Error(`home.yml: section ${index + 1} needs \`latest\`, \`tag\` or \`tags\``);
+	}
+
+	for (const tag of tags) {
+		if (!labels[tag]) {
+			throw new Error(`home.yml: unknown tag \`${tag}\` in section ${index + 1}`);
+		}
+	}
+
+	if (tags.length > 1 && !section.title) {
+		throw new Error(`home.yml: section ${index + 1} with several tags needs a \`title\``);
+	}
+
+	const { size, featured } = { ...defaults, ...section };
+	// Cards take one slot each and the featured one takes two
+	const slots = size + (featured ? 1 : 0);
+	if (!supportedSlots.includes(slots)) {
+		throw new Error(`home.yml: section ${index + 1} takes ${slots} slots, \`size\` plus one for \`featured\` must be ${supportedSlots.join(' or ')}`);
+	}
+
+	return {
+		...defaults,
+		...section,
+		tags,
+		slots,
+		title: section.title ?? `${labelName(labels[tags[0]])} news`,
+		archive: section.archive ?? (tags.length === 1 ? `/tags/${tags[0]}/` : false),
+	};
+};
+
+export default (config, { newsGlob }) => {
+	config.addCollection('homeSections', (collectionApi) => {
+		const labels = readLabels();
+		const sections = yamlLoad(readFileSync(homeFile, 'utf8')) ?? [];
+		const items = collectionApi.getFilteredByGlob(newsGlob)
+			.filter((item) => !item.data.eleventyExcludeFromCollections)
+			.sort((a, b) => b.date - a.date);
+
+		return sections.map((section, index) => {
+			const { tags, size, ...rest } = normalizeSection(section, index, labels);
+			const sectionItems = tags.length === 0
+				? items
+				: items.filter((item) => tags.some((tag) => item.data.tags?.includes(tag)));
+
+			return {
+				...rest,
+				tags,
+				count: sectionItems.length,
+				items: sectionItems.slice(0, size),
+			};
+		});
+	});
+};
@@ -0,0 +1,70 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+
+const labelsFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data/labels.yml');
+
+// A labels.yml entry is either `key: Display name` or an object with
+// a `label`, optional `aliases` for old tag names and a `parent` tag.
+// Tag pages also use the optional Markdown `description`, `color`,
+// `icon` and reference `links`.
+export const normalizeLabels = (labels) => {
+	return Object.fromEntries(
+		Object.entries(labels ?? {}).map(([key, entry]) => {
+			const { label, aliases = [], ...rest } = typeof entry === 'string'
+				? { label: entry }
+				: entry;
+			return [key, { ...rest, label, aliases }];
+		})
+	);
+};
+
+export const readLabels = () => {
+	return normalizeLabels(yamlLoad(readFileSync(labelsFile, 'utf8')));
+};
+
+export const labelName = (entry) => {
+	return typeof entry === 'string' ? entry : entry?.label;
+};
+
+// Alias → tag map
+export const labelAliases = (labels) => {
+	const aliases = new Map();
+	for (const [key, { aliases: keyAliases }] of Object.entries(normalizeLabels(labels))) {
+		for (const alias of keyAliases) aliases.set(alias, key);
+	}
+	return aliases;
+};
+
+// Parent, grandparent and so on, stopping at a loop
+export const labelAncestors = (labels, tag) => {
+	const ancestors = [];
+	let parent = labels?.[tag]?.parent;
+	while (parent && parent !== tag && !ancestors.includes(parent)) {
+		ancestors.push(parent);
+		parent = labels[parent]?.parent;
+	}
+	return ancestors;
+};
+
+// Replaces aliases with their tags and adds the implied parent tags,
+// keeping the order and dropping duplicates
+export const resolveTags = (tags, labels) => {
+	const normalized = normalizeLabels(labels);
+	const aliases = labelAliases(normalized);
+	const resolved = [tags ?? []].flat().map((tag) => aliases.get(tag) ?? tag);
+	return [...new Set([
+		...resolved,
+		...resolved.flatMap((tag) => labelAncestors(normalized, tag)),
+	])];
+};
+
+export default (config) => {
+	config.addFilter('labelName', labelName);
+
+	// Entries of the tag list whose parent is the given tag
+	config.addFilter('subTags', (tagList, tag) => {
+		return tagList.filter((entry) => entry.parent === tag);
+	});
+};
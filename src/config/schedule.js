@@ -0,0 +1,74 @@
+import { glob, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { load as yamlLoad } from 'js-yaml';
+
+// News goes out on its `date` at this local time. Set SCHEDULE_TIME_ZONE
+// to publish in another time zone without touching the config.
+export const schedule = {
+	time: '12:00',
+	timeZone: process.env.SCHEDULE_TIME_ZONE || 'Europe/Berlin',
+};
+
+// Offset of the time zone from UTC at the given moment, in minutes
+const timeZoneOffset = (date, timeZone) => {
+	const offset = new Intl.DateTimeFormat('en', {
+		timeZone,
+		timeZoneName: 'longOffset',
+	})
+		.formatToParts(date)
+		.find((part) => part.type === 'timeZoneName').value;
+
+	const match = offset.match(/([+-])(\d{2}):(\d{2})/);
+	if (!match) return 0;
+	const [, sign, hours, minutes] = match;
+	return (sign === '-' ? -1 : 1) * (hours * 60 + Number(minutes));
+};
+
+// The moment a news item dated `date` goes out
+export const publishDate = (date, { time, timeZone } = schedule) => {
+	const day = new Date(date);
+	const [hours, minutes] = time.split(':').map(Number);
+	const local = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+	return new Date(local - timeZoneOffset(new Date(local), timeZone) * 60 * 1000);
+};
+
+export const isScheduled = (date, now = new Date()) => {
+	return Boolean(date) && publishDate(date) > now;
+};
+
+// Finished news waiting for its date, oldest first
+export const scheduledNews = async () => {
+	const items = [];
+
+	for await (const file of glob('src/news/????/??/*/index.yml')) {
+		const data = yamlLoad(await readFile(file, 'utf8'));
+		if (!data?.draft && isScheduled(data?.date)) {
+			items.push({ file, date: publishDate(data.date) });
+		}
+	}
+
+	return items.sort((a, b) => a.date - b.date);
+};
+
+export default (config) => {
+	const isDev = process.env.ELEVENTY_RUN_MODE === 'serve';
+
+	config.addGlobalData('schedule', schedule);
+
+	config.on('eleventy.before', async () => {
+		const items = await scheduledNews();
+		if (items.length === 0) return;
+
+		const format = new Intl.DateTimeFormat('en-CA', {
+			timeZone: schedule.timeZone,
+			dateStyle: 'short',
+			timeStyle: 'short',
+			hourCycle: 'h23',
+		});
+
+		console.log(`[11ty] Scheduled news${isDev ? ', shown in dev' : ', not built'} (${schedule.timeZone}):`);
+		for (const { file, date } of items) {
+			console.log(`[11ty]   ${format.format(date)}  ${path.dirname(file)}/`);
+		}
+	});
+};
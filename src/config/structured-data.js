@@ -0,0 +1,35 @@
+export default (config) => {
+	// JSON for <script type="application/ld+json">: escapes everything that
+	// could close the script element or break it in older parsers.
+	config.addFilter('jsonLD', (data) => {
+		return JSON.stringify(data)
+			.replace(/</g, '\\u003c')
+			.replace(/>/g, '\\u003e')
+			.replace(/&/g, '\\u0026')
+			.replace(/\u2028/g, '\\u2028')
+			.replace(/\u2029/g, '\\u2029');
+	});
+
+	// BreadcrumbList items from the home page down to the current archive,
+	// named after the titles of the pages found on the way.
+	config.addFilter('breadcrumbs', (collection, url, meta) => {
+		const archiveUrl = url.replace(/page\/\d+\/$/, '');
+		const segments = archiveUrl.split('/').filter(Boolean);
+		const crumbs = [{ name: meta.title, url: '/' }];
+
+		segments.forEach((_, index) => {
+			const crumbUrl = `/${segments.slice(0, index + 1).join('/')}/`;
+			const item = collection.find((item) => item.url === crumbUrl);
+			if (item?.data.title) {
+				crumbs.push({ name: item.data.title, url: crumbUrl });
+			}
+		});
+
+		return crumbs.map((crumb, index) => ({
+			'@type': 'ListItem',
+			position: index + 1,
+			name: crumb.name,
+			item: meta.domain + crumb.url,
+		}));
+	});
+};
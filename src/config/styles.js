@@ -1,7 +1,9 @@
-import { bundle as lightningcssBundle, browserslistToTargets, Features } from 'lightningcss';
+import { bundle as lightningcssBundle, transform as lightningcssTransform, browserslistToTargets, Features } from 'lightningcss';
 import { readFileSync } from 'node:fs';
 import path from 'node:path';
 
+import { readLabels } from './labels.js';
+
 const inlineSvg = (urlPath, baseDir) => {
 	if (/^(https?:)?\/\//.test(urlPath)) {
 		return null;
@@ -22,6 +24,15 @@ const inlineSvg = (urlPath, baseDir) => {
 	}
 };
 
+// Tag accent colors from labels.yml. They live in the stylesheet, as the
+// CSP’s `style-src 'self'` blocks inline `style` attributes.
+const tagColors = () => {
+	return Object.entries(readLabels())
+		.filter(([, { color }]) => color)
+		.map(([tag, { color }]) => `.tag-intro[data-tag='${tag}'] { --tag-color: ${color}; }`)
+		.join('\n');
+};
+
 export default (config, { browserslist }) => {
 	const processStyles = async (filePath) => {
 		const absolutePath = path.resolve(filePath);
@@ -58,8 +69,14 @@ export default (config, { browserslist }) => {
 
 			return async () => {
 				let { code } = await processStyles(path);
+				const colors = lightningcssTransform({
+					filename: 'tag-colors.css',
+					code: Buffer.from(tagColors()),
+					minify: true,
+					targets: browserslistToTargets(browserslist),
+				});
 
-				return code;
+				return code + colors.code;
 			};
 		},
 	});
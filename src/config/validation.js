@@ -0,0 +1,684 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as yamlLoad } from 'js-yaml';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import sharp from 'sharp';
+
+import { normalizeLabels, labelAliases, labelAncestors } from './labels.js';
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const QUOTED_FIELDS = ['title', 'alt', 'description'];
+const NEWS_FILES = ['index.yml', 'index.md', 'cover.avif'];
+const BODY_MAX_LENGTH = 500;
+const BODY_LINK_LENGTH = 23;
+const BODY_HTML = ['abbr', 'br', 'kbd', 'sub', 'sup'];
+const COVER_MIN_WIDTH = 1920;
+const TRACKING_PARAMS = /^(utm_.+|ref|fbclid|gclid|mc_cid|mc_eid)$/;
+
+async function loadLabels() {
+	const file = path.join(projectRoot, 'src', 'data', 'labels.yml');
+	const labels = normalizeLabels(yamlLoad(await fs.readFile(file, 'utf8')));
+	for (const [tag, { parent }] of Object.entries(labels)) {
+		if (parent === undefined) continue;
+		if (!labels[parent]) {
+			throw new Error(`labels.yml: unknown parent \`${parent}\` of \`${tag}\``);
+		}
+		if (labelAncestors(labels, parent).includes(tag) || parent === tag) {
+			throw new Error(`labels.yml: \`${tag}\` is its own ancestor`);
+		}
+	}
+	return labels;
+}
+
+async function loadSeries() {
+	const file = path.join(projectRoot, 'src', 'data', 'seriesLabels.yml');
+	return Object.keys(yamlLoad(await fs.readFile(file, 'utf8')));
+}
+
+function buildSchema(labels, series) {
+	return {
+		type: 'object',
+		additionalProperties: false,
+		required: ['title', 'alt', 'description', 'date', 'links', 'tags'],
+		properties: {
+			title: { type: 'string', minLength: 1 },
+			alt: { type: 'string', minLength: 1 },
+			description: { type: 'string', minLength: 1 },
+			date: { type: 'string', format: 'date' },
+			updated: { type: 'string', format: 'date' },
+			links: {
+				type: 'array',
+				minItems: 1,
+				items: { type: 'string', pattern: 'https?://\\S+' },
+			},
+			tags: {
+				type: 'array',
+				minItems: 1,
+				uniqueItems: true,
+				items: { type: 'string', enum: [...Object.keys(labels), ...labelAliases(labels).keys()] },
+			},
+			related: {
+				type: 'array',
+				minItems: 1,
+				uniqueItems: true,
+				items: { type: 'string', pattern: '^[a-z0-9-]+$' },
+			},
+			series: { type: 'string', enum: series },
+			draft: { type: 'boolean' },
+			allowDuplicateLink: { type: 'boolean' },
+			allowDuplicateSlug: { type: 'boolean' },
+			allowLongText: { type: 'boolean' },
+		},
+	};
+}
+
+export async function listAllNewsYml() {
+	const newsRoot = path.join(projectRoot, 'src', 'news');
+	const result = [];
+	async function walk(dir) {
+		const entries = await fs.readdir(dir, { withFileTypes: true });
+		for (const entry of entries) {
+			const full = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				if (entry.name === 'template') continue;
+				await walk(full);
+			} else if (entry.name === 'index.yml') {
+				result.push(full);
+			}
+		}
+	}
+	await walk(newsRoot);
+	return result;
+}
+
+// Splits a field’s raw value from a trailing `# comment`, if any.
+// Null when something else follows a quoted value.
+function splitComment(rest) {
+	const quoted = rest.match(/^(?:'(?:[^']|'')*'|"(?:[^"\\]|\\.)*")/);
+	const end = quoted ? quoted[0].length : rest.search(/\s#|$/);
+	const tail = rest.slice(end);
+	if (!/^\s*(#.*)?$/.test(tail)) return null;
+	return { value: rest.slice(0, end).trimEnd(), tail };
+}
+
+// Text-level rules: things that disappear once YAML is parsed.
+function scanRawText(text) {
+	const issues = [];
+	const seen = new Set();
+	const lines = text.split('\n');
+
+	for (let i = 0; i < lines.length; i++) {
+		const lineNo = i + 1;
+		const match = lines[i].match(/^([a-z]+):\s*(.*)$/);
+		if (!match) continue;
+		const [, key, rest] = match;
+		if (seen.has(key)) continue;
+
+		if (key === 'date' || key === 'updated') {
+			seen.add(key);
+			if (/^['"]/.test(rest)) {
+				issues.push(`L${lineNo}: \`${key}\` must be unquoted (YYYY-MM-DD)`);
+			}
+			continue;
+		}
+
+		if (!QUOTED_FIELDS.includes(key)) continue;
+		seen.add(key);
+
+		const quoted = (splitComment(rest)?.value ?? rest.trimEnd()).match(/^'(.*)'$/);
+		if (!quoted) {
+			issues.push(`L${lineNo}: \`${key}\` must be wrapped in single quotes`);
+			continue;
+		}
+		// Ignore content inside `…` code spans (HTML/JS requires straight quotes there)
+		const prose = quoted[1].replace(/`[^`]*`/g, '');
+		if (prose.includes("''")) {
+			issues.push(`L${lineNo}: \`${key}\` contains a straight apostrophe (use a curly ’)`);
+		}
+		if (prose.includes('"')) {
+			issues.push(`L${lineNo}: \`${key}\` contains straight double quotes (use curly “ ”)`);
+		}
+	}
+	return issues;
+}
+
+// Straight quotes to curly ones, leaving `…` code spans alone
+function curlyQuotes(text) {
+	const spans = [];
+	return text
+		.replace(/`[^`]*`/g, (span) => `\0${spans.push(span) - 1}\0`)
+		.replace(/(^|[\s([{])"/g, '$1“')
+		.replace(/"/g, '”')
+		.replace(/(^|[\s([{])'(?=\w)/g, '$1‘')
+		.replace(/'/g, '’')
+		.replace(/\0(\d+)\0/g, (_, index) => spans[index]);
+}
+
+// Mechanical fixes for the scanRawText rules, plus sorted unique tags.
+// Works line by line, so comments and field order stay as they are.
+export function fixRawText(text) {
+	const changes = [];
+	const seen = new Set();
+	const lines = text.split('\n');
+
+	for (let i = 0; i < lines.length; i++) {
+		const lineNo = i + 1;
+		const match = lines[i].match(/^([a-z]+):\s*(.*)$/);
+		if (!match) continue;
+		const [, key, rest] = match;
+		if (seen.has(key)) continue;
+
+		if (key === 'tags' && rest === '') {
+			seen.add(key);
+			let end = i + 1;
+			while (end < lines.length && /^- \S/.test(lines[end])) end++;
+			const tags = lines.slice(i + 1, end).map((line) => line.slice(2).trim());
+			const sorted = [...new Set(tags)].sort();
+			if (sorted.join() !== tags.join()) {
+				lines.splice(i + 1, end - i - 1, ...sorted.map((tag) => `- ${tag}`));
+				changes.push(`L${lineNo}: sorted and deduplicated \`tags\``);
+			}
+			continue;
+		}
+
+		if (!['date', 'updated', ...QUOTED_FIELDS].includes(key)) continue;
+		seen.add(key);
+
+		// Values spread over several lines need a human
+		if (rest === '' || /^[|>]/.test(rest) || /^\s+\S/.test(lines[i + 1] ?? '')) continue;
+
+		// Only the value is rewritten, a trailing comment stays as it is
+		const split = splitComment(rest);
+		if (!split) continue;
+		const { value: raw, tail } = split;
+
+		let value;
+		try {
+			value = yamlLoad(`${key}: ${raw}`)?.[key];
+		} catch {
+			continue;
+		}
+		if (typeof value !== 'string') continue;
+
+		if (key === 'date' || key === 'updated') {
+			if (/^['"]/.test(raw) && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+				lines[i] = `${key}: ${value}${tail}`;
+				changes.push(`L${lineNo}: unquoted \`${key}\``);
+			}
+			continue;
+		}
+
+		const curly = curlyQuotes(value);
+		const fixed = `${key}: '${curly.replace(/'/g, "''")}'${tail}`;
+		if (fixed === lines[i]) continue;
+
+		if (!/^'.*'$/.test(raw)) {
+			changes.push(`L${lineNo}: wrapped \`${key}\` in single quotes`);
+		}
+		if (curly !== value) {
+			changes.push(`L${lineNo}: curly quotes in \`${key}\``);
+		}
+		lines[i] = fixed;
+	}
+
+	return { text: lines.join('\n'), changes };
+}
+
+// Applies fixRawText to the given news index.yml files, or the whole archive
+export async function fixNews(files) {
+	const results = [];
+	for (const file of files ?? await listAllNewsYml()) {
+		const before = await fs.readFile(file, 'utf8');
+		const { text, changes } = fixRawText(before);
+		if (text !== before) {
+			await fs.writeFile(file, text, 'utf8');
+			results.push({ file: path.relative(projectRoot, file), changes });
+		}
+	}
+	return results;
+}
+
+// Line of the value an Ajv error points at, like `/tags/2`: the key’s
+// line, or the matching list item under it. Null for the whole file.
+function yamlLine(text, error) {
+	const [key, index] = error.keyword === 'additionalProperties'
+		? [error.params.additionalProperty]
+		: error.instancePath.split('/').slice(1);
+	if (!key) return null;
+
+	const lines = text.split('\n');
+	const start = lines.findIndex((line) => line.startsWith(`${key}:`));
+	if (start === -1) return null;
+	if (index === undefined) return start + 1;
+
+	let item = -1;
+	for (let i = start + 1; i < lines.length && !/^[^\s#-]/.test(lines[i]); i++) {
+		if (/^\s*- /.test(lines[i]) && ++item === Number(index)) return i + 1;
+	}
+	return start + 1;
+}
+
+function formatAjvError(error, text) {
+	const line = yamlLine(text, error);
+	const prefix = line ? `L${line}: ` : '';
+	const [key] = error.instancePath.split('/').slice(1);
+	const where = key ? `\`${key}\`` : '(root)';
+	switch (error.keyword) {
+		case 'required':
+			return `Missing required field \`${error.params.missingProperty}\``;
+		case 'additionalProperties':
+			return `${prefix}Unknown field \`${error.params.additionalProperty}\``;
+		case 'enum':
+			return `${prefix}${where}: value is not in the allowed list`;
+		case 'uniqueItems':
+			return `${prefix}${where}: duplicate items not allowed`;
+		case 'pattern':
+			return `${prefix}${where}: does not match expected pattern`;
+		case 'format':
+			return `${prefix}${where}: must be a valid ${error.params.format}`;
+		default:
+			return `${prefix}${where}: ${error.message}`;
+	}
+}
+
+// `related` lists news folder names; each must exist elsewhere in the archive.
+function checkRelated(file, data, slugs) {
+	const issues = [];
+	const ownSlug = path.basename(path.dirname(file));
+	for (const slug of Array.isArray(data?.related) ? data.related : []) {
+		if (slug === ownSlug) {
+			issues.push(`\`related\` must not point to the news itself: \`${slug}\``);
+		} else if (typeof slug === 'string' && !slugs.has(slug)) {
+			issues.push(`\`related\` points to unknown news \`${slug}\``);
+		}
+	}
+	return issues;
+}
+
+// Same page no matter the protocol, `www.`, trailing slash, hash or
+// tracking parameters
+export function normalizeURL(link) {
+	const match = String(link ?? '').match(/https?:\/\/[^\s)]+/);
+	if (!match) return null;
+
+	let url;
+	try {
+		url = new URL(match[0]);
+	} catch {
+		return null;
+	}
+
+	for (const key of [...url.searchParams.keys()]) {
+		if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+	}
+
+	const host = url.hostname.replace(/^www\./, '');
+	const pathname = url.pathname.replace(/\/+$/, '');
+	const search = url.searchParams.toString();
+	return `${host}${pathname}${search ? `?${search}` : ''}`;
+}
+
+// Slugs and normalized links of every news, to compare each file against
+async function readArchive(files) {
+	const slugs = new Map();
+	const links = new Map();
+	const optOuts = new Map();
+	const add = (map, key, file) => {
+		if (!map.has(key)) map.set(key, []);
+		map.get(key).push(file);
+	};
+
+	for (const file of files) {
+		add(slugs, path.basename(path.dirname(file)), file);
+		let data;
+		try {
+			data = yamlLoad(await fs.readFile(file, 'utf8'));
+		} catch {
+			continue;
+		}
+		optOuts.set(file, {
+			allowDuplicateLink: Boolean(data?.allowDuplicateLink),
+			allowDuplicateSlug: Boolean(data?.allowDuplicateSlug),
+		});
+		for (const link of Array.isArray(data?.links) ? data.links : []) {
+			const url = normalizeURL(link);
+			if (url) add(links, url, file);
+		}
+	}
+
+	return { slugs, links, optOuts };
+}
+
+// Archive-wide rules: a link covered before, a slug used in another month,
+// and a folder that doesn’t match the date. A duplicate pair is skipped
+// when either news opts out with `allowDuplicateLink` or `allowDuplicateSlug`.
+function checkArchive(file, data, archive) {
+	const issues = [];
+	const folder = (other) => path.relative(projectRoot, path.dirname(other));
+	const slug = path.basename(path.dirname(file));
+	const optedOut = (other, key) => {
+		return Boolean(data?.[key]) || Boolean(archive.optOuts.get(other)?.[key]);
+	};
+
+	for (const other of archive.slugs.get(slug) ?? []) {
+		if (other !== file && !optedOut(other, 'allowDuplicateSlug')) {
+			issues.push(`Slug \`${slug}\` is also used by ${folder(other)}, set \`allowDuplicateSlug: true\` if intended`);
+		}
+	}
+
+	for (const link of Array.isArray(data?.links) ? data.links : []) {
+		const url = normalizeURL(link);
+		for (const other of archive.links.get(url) ?? []) {
+			if (other !== file && !optedOut(other, 'allowDuplicateLink')) {
+				issues.push(`Link ${url} is already in ${folder(other)}, set \`allowDuplicateLink: true\` if intended`);
+			}
+		}
+	}
+
+	const month = file.match(/[\\/](\d{4})[\\/](\d{2})[\\/][^\\/]+[\\/]index\.yml$/);
+	if (month && typeof data?.date === 'string' && !data.date.startsWith(`${month[1]}-${month[2]}-`)) {
+		issues.push(`\`date\` ${data.date} doesn’t match the ${month[1]}/${month[2]} folder`);
+	}
+
+	return issues;
+}
+
+// Every news folder holds its text and a single 16:9 AVIF cover, nothing else
+async function checkCover(file) {
+	const issues = [];
+	const folder = path.dirname(file);
+	const entries = await fs.readdir(folder);
+
+	for (const entry of entries) {
+		if (entry === 'cover.png') {
+			issues.push('Leftover `cover.png`, commit `cover.avif` only');
+		} else if (!NEWS_FILES.includes(entry) && !entry.startsWith('.')) {
+			issues.push(`Stray file \`${entry}\` in the news folder`);
+		}
+	}
+
+	if (!entries.includes('cover.avif')) {
+		issues.push('Missing `cover.avif`');
+		return issues;
+	}
+
+	let metadata;
+	try {
+		metadata = await sharp(path.join(folder, 'cover.avif')).metadata();
+	} catch (error) {
+		issues.push(`Cannot read \`cover.avif\`: ${error.message}`);
+		return issues;
+	}
+
+	const { format, compression, width, height } = metadata;
+	if (format !== 'heif' || compression !== 'av1') {
+		issues.push(`\`cover.avif\` is not an AVIF image (${compression ?? format})`);
+	}
+	if (width * 9 !== height * 16) {
+		issues.push(`\`cover.avif\` is ${width}×${height}, not 16:9`);
+	}
+	if (width < COVER_MIN_WIDTH) {
+		issues.push(`\`cover.avif\` is ${width} wide, at least ${COVER_MIN_WIDTH} needed`);
+	}
+
+	return issues;
+}
+
+// Old tag names still build, but should be replaced with the current ones.
+function checkAliases(data, labels) {
+	const warnings = [];
+	const aliases = labelAliases(labels);
+	for (const tag of Array.isArray(data?.tags) ? data.tags : []) {
+		if (aliases.has(tag)) {
+			warnings.push(`\`${tag}\` is an alias, use \`${aliases.get(tag)}\` instead`);
+		}
+	}
+	return warnings;
+}
+
+// Parent tags are added from their children, so listing both is redundant
+function checkParents(data, labels) {
+	const warnings = [];
+	const aliases = labelAliases(labels);
+	const tags = (Array.isArray(data?.tags) ? data.tags : [])
+		.map((tag) => aliases.get(tag) ?? tag);
+	for (const tag of tags) {
+		const child = tags.find((other) => labelAncestors(labels, other).includes(tag));
+		if (child) {
+			warnings.push(`\`${tag}\` is implied by \`${child}\`, remove it`);
+		}
+	}
+	return warnings;
+}
+
+async function validateFile(file, validate, archive, labels) {
+	const errors = [];
+	const warnings = [];
+	let text;
+	try {
+		text = await fs.readFile(file, 'utf8');
+	} catch (error) {
+		return { errors: [`Cannot read file: ${error.message}`], warnings };
+	}
+
+	errors.push(...scanRawText(text));
+
+	let data;
+	try {
+		data = yamlLoad(text);
+	} catch (error) {
+		const prefix = error.mark ? `L${error.mark.line + 1}: ` : '';
+		errors.push(`${prefix}YAML parse error: ${error.message}`);
+		return { errors, warnings };
+	}
+
+	// js-yaml turns unquoted YYYY-MM-DD into a Date; Ajv's `format: date` wants a string.
+	for (const key of ['date', 'updated']) {
+		if (data && data[key] instanceof Date && !Number.isNaN(data[key].getTime())) {
+			data = { ...data, [key]: data[key].toISOString().slice(0, 10) };
+		}
+	}
+
+	if (!validate(data)) {
+		for (const err of validate.errors) errors.push(formatAjvError(err, text));
+	}
+	errors.push(...checkRelated(file, data, archive.slugs));
+	errors.push(...checkArchive(file, data, archive));
+	errors.push(...await checkCover(file));
+	warnings.push(...checkAliases(data, labels));
+	warnings.push(...checkParents(data, labels));
+	return { errors, warnings, data };
+}
+
+// Body rules for index.md, which is a single paragraph of Markdown
+async function validateBody(file, data) {
+	const errors = [];
+	const warnings = [];
+	let text;
+	try {
+		text = await fs.readFile(file, 'utf8');
+	} catch {
+		return { errors: ['Missing `index.md`'], warnings };
+	}
+
+	const lines = text.split('\n');
+	for (let i = 0; i < lines.length; i++) {
+		const lineNo = i + 1;
+		// Code spans can hold anything, and link targets are not prose
+		const prose = lines[i]
+			.replace(/`[^`]*`/g, '')
+			.replace(/\]\([^)]*\)/g, ']');
+
+		if (/^\s{0,3}#{1,6}(\s|$)/.test(lines[i]) || (/^\s{0,3}(=+|-+)\s*$/.test(lines[i]) && lines[i - 1]?.trim())) {
+			errors.push(`L${lineNo}: headings are not allowed in the body`);
+		}
+
+		for (const [, tag] of prose.matchAll(/<\/?([a-z][a-z0-9-]*)[\s/>]/gi)) {
+			if (!BODY_HTML.includes(tag.toLowerCase())) {
+				errors.push(`L${lineNo}: raw HTML \`<${tag}>\` is not allowed, wrap code in backticks`);
+			}
+		}
+
+		if (prose.includes("'")) {
+			errors.push(`L${lineNo}: straight apostrophe (use a curly ’)`);
+		}
+		if (prose.includes('"')) {
+			errors.push(`L${lineNo}: straight double quotes (use curly “ ”)`);
+		}
+
+		for (const [url] of prose.matchAll(/(?<![<(])https?:\/\/[^\s)>]+/g)) {
+			errors.push(`L${lineNo}: bare URL ${url}, use a Markdown link`);
+		}
+	}
+
+	const plain = (value) => String(value ?? '')
+		.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+		.replace(/`/g, '')
+		.replace(/\s+/g, ' ')
+		.trim();
+
+	const body = plain(text);
+	const links = Array.isArray(data?.links) ? data.links.length : 0;
+	const length = plain(data?.title).length + body.length + links * BODY_LINK_LENGTH;
+	if (length > BODY_MAX_LENGTH && !data?.allowLongText) {
+		errors.push(`Title, body and links are ${length} characters, ${BODY_MAX_LENGTH} at most`);
+	}
+
+	const description = plain(data?.description);
+	if (description && body.includes(description)) {
+		errors.push('The body repeats the `description`');
+	}
+
+	return { errors, warnings };
+}
+
+// Checks the given news index.yml files, or the whole archive, against
+// the rules shared by the CLI and the build. Staged files are still
+// compared with every other news in the archive.
+export async function validateNews(files) {
+	const labels = await loadLabels();
+	const series = await loadSeries();
+	const ajv = new Ajv({ allErrors: true });
+	addFormats(ajv);
+	const validate = ajv.compile(buildSchema(labels, series));
+	const allFiles = await listAllNewsYml();
+	const archive = await readArchive(allFiles);
+
+	const results = [];
+	for (const file of files ?? allFiles) {
+		const { errors, warnings, data } = await validateFile(file, validate, archive, labels);
+		results.push({
+			file: path.relative(projectRoot, file),
+			errors,
+			warnings,
+		});
+
+		const bodyFile = path.join(path.dirname(file), 'index.md');
+		results.push({
+			file: path.relative(projectRoot, bodyFile),
+			...await validateBody(bodyFile, data),
+		});
+	}
+	return results;
+}
+
+// Splits the `L12: ` prefix off an issue, so output formats can point at the line
+function parseIssue(issue) {
+	const match = issue.match(/^L(\d+): (.*)$/s);
+	return match
+		? { line: Number(match[1]), message: match[2] }
+		: { line: null, message: issue };
+}
+
+// Workflow commands, so GitHub annotates the lines in pull requests:
+// https://docs.github.com/en/actions/reference/workflow-commands-for-github-actions
+function reportGitHub(results) {
+	const escapeData = (value) => value
+		.replaceAll('%', '%25')
+		.replaceAll('\r', '%0D')
+		.replaceAll('\n', '%0A');
+	const escapeProperty = (value) => escapeData(value)
+		.replaceAll(':', '%3A')
+		.replaceAll(',', '%2C');
+
+	for (const { file, errors, warnings } of results) {
+		for (const [command, issues] of [['error', errors], ['warning', warnings]]) {
+			for (const issue of issues) {
+				const { line, message } = parseIssue(issue);
+				const properties = [`file=${escapeProperty(file)}`];
+				if (line) properties.push(`line=${line}`);
+				console.log(`::${command} ${properties.join(',')}::${escapeData(message)}`);
+			}
+		}
+	}
+}
+
+// Prints errors and warnings grouped by file and returns their totals,
+// as `text` for people, `json` for tools, or `github` for workflow annotations.
+export function reportValidation(results, format = 'text') {
+	let errorCount = 0;
+	let warningCount = 0;
+
+	if (format === 'json' || format === 'github') {
+		for (const { errors, warnings } of results) {
+			errorCount += errors.length;
+			warningCount += warnings.length;
+		}
+		if (format === 'json') {
+			console.log(JSON.stringify(results.map(({ file, errors, warnings }) => ({
+				file,
+				errors: errors.map(parseIssue),
+				warnings: warnings.map(parseIssue),
+			})), null, '\t'));
+		} else {
+			reportGitHub(results);
+		}
+		return { errorCount, warningCount };
+	}
+
+	for (const { file, errors, warnings } of results) {
+		if (errors.length > 0) {
+			errorCount += errors.length;
+			console.error(`\n✗ ${file}`);
+			for (const error of errors) console.error(`  ${error}`);
+		}
+		if (warnings.length > 0) {
+			warningCount += warnings.length;
+			console.error(`\n⚠ ${file}`);
+			for (const warning of warnings) console.error(`  ${warning}`);
+		}
+	}
+
+	if (warningCount > 0) {
+		console.error(`\n${warningCount} validation warning(s) in ${results.length} file(s) checked.`);
+	}
+
+	if (errorCount > 0) {
+		console.error(`\n${errorCount} validation error(s) in ${results.length} file(s) checked.`);
+	}
+
+	return { errorCount, warningCount };
+}
+
+// Same checks as `scripts/validate.js` on every build: errors stop
+// production builds and only get reported while running `npm start`.
+// Results of the current build’s pass, reused by the dev dashboard
+let buildResults = [];
+
+export const buildValidation = () => buildResults;
+
+export default (config) => {
+	const isDev = process.env.ELEVENTY_RUN_MODE === 'serve';
+
+	config.on('eleventy.before', async () => {
+		buildResults = await validateNews();
+		const { errorCount } = reportValidation(buildResults);
+
+		if (errorCount > 0 && !isDev) {
+			throw new Error(`News validation failed with ${errorCount} error(s), see above`);
+		}
+	});
+};
@@ -1,13 +1,68 @@
+import { labelName, resolveTags } from '../config/labels.js';
+import { isScheduled } from '../config/schedule.js';
+
 const isDev = process.env.ELEVENTY_RUN_MODE === 'serve';
 
+const coverWidths = [1920, 1280, 960, 640, 480, 320];
+
+const plainText = (text) => String(text ?? '').replace(/`/g, '');
+
 export default {
 	eleventyComputed: {
-		eleventyExcludeFromCollections: (data) => data.draft && !isDev,
+		// Finished news dated in the future waits for its publish time
+		scheduled: (data) => !data.draft && isScheduled(data.page.date),
+		eleventyExcludeFromCollections: (data) => {
+			return (data.draft || isScheduled(data.page.date)) && !isDev;
+		},
+		tags: (data) => resolveTags(data.tags, data.labels),
 		permalink: (data) => {
-			if (data.draft && !isDev) {
+			if ((data.draft || isScheduled(data.page.date)) && !isDev) {
 				return false;
 			}
 			return data.permalink;
 		},
+		structuredData: (data) => {
+			if (!data.page.url) {
+				return null;
+			}
+
+			const url = data.meta.domain + data.page.url;
+
+			return {
+				'@context': 'https://schema.org',
+				'@type': 'NewsArticle',
+				headline: plainText(data.title),
+				description: plainText(data.description),
+				url,
+				mainEntityOfPage: url,
+				datePublished: data.page.date.toISOString().split('T')[0],
+				dateModified: data.updated
+					? new Date(data.updated).toISOString().split('T')[0]
+					: undefined,
+				inLanguage: data.meta.language,
+				image: coverWidths.map((width) => ({
+					'@type': 'ImageObject',
+					url: `${url}${width === 1920 ? 'cover' : `cover-${width}`}.jpeg`,
+					width,
+					height: width * 9 / 16,
+					caption: data.alt,
+				})),
+				keywords: (data.tags ?? []).map((tag) => labelName(data.labels[tag]) ?? tag),
+				citation: (data.links ?? [])
+					.map((link) => String(link).match(/https?:\/\/[^\s)]+/)?.[0])
+					.filter(Boolean),
+				author: {
+					'@type': 'Organization',
+					name: data.meta.author,
+					url: data.meta.domain,
+				},
+				publisher: {
+					'@type': 'Organization',
+					name: data.meta.title,
+					url: data.meta.domain,
+					logo: `${data.meta.domain}/apple-touch-icon.png`,
+				},
+			};
+		},
 	},
 };
@@ -1 +1,2 @@
 import './modules/search.js';
+import './modules/news-nav.js';
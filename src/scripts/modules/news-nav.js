@@ -0,0 +1,45 @@
+const storageKey = 'news-nav-tag';
+
+// Shows "in #tag" links when the reader came from a tag archive,
+// and keeps them while the reader steps through that tag.
+const referrerTag = () => {
+	if (!document.referrer) return null;
+
+	const referrer = new URL(document.referrer);
+	if (referrer.origin !== location.origin) return null;
+
+	return referrer.pathname.match(/^\/tags\/([^/]+)\//)?.[1] ?? null;
+};
+
+const storedTag = () => {
+	try {
+		const tag = sessionStorage.getItem(storageKey);
+		sessionStorage.removeItem(storageKey);
+		return tag;
+	} catch {
+		return null;
+	}
+};
+
+class NewsNav extends HTMLElement {
+	connectedCallback() {
+		const tag = referrerTag() ?? storedTag();
+		if (!tag) return;
+
+		const list = [...this.querySelectorAll('[data-tag]')]
+			.find((element) => element.dataset.tag === tag);
+		if (!list) return;
+
+		list.hidden = false;
+		list.addEventListener('click', (event) => {
+			if (!event.target.closest('a')) return;
+			try {
+				sessionStorage.setItem(storageKey, tag);
+			} catch {
+				// Storage is unavailable, so the tag links won’t persist
+			}
+		});
+	}
+}
+
+customElements.define('news-nav', NewsNav);
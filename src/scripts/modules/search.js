@@ -55,6 +55,14 @@ class SearchField extends HTMLElement {
 		this.resultsArea.addEventListener('keydown', this.onResultsKeydown);
 		this.clearButton?.addEventListener('click', this.onClearClick);
 		this.updateClearButtonVisibility();
+
+		// Search from the URL, as advertised in the WebSite structured data
+		const query = new URLSearchParams(location.search).get('q')?.trim();
+		if (query) {
+			this.input.value = query;
+			this.updateClearButtonVisibility();
+			this.performSearch(query);
+		}
 	}
 
 	disconnectedCallback() {